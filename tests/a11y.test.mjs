@@ -0,0 +1,82 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { JSDOM } from "jsdom";
+
+// react-dom decides whether it has a DOM when it loads, so the jsdom globals go in first.
+const dom = new JSDOM("<!doctype html>", { pretendToBeVisual: true, url: "http://localhost/" });
+for (const k of ["window", "document", "navigator", "localStorage", "getComputedStyle", "requestAnimationFrame", "cancelAnimationFrame"])
+  Object.defineProperty(globalThis, k, { value: dom.window[k], configurable: true, writable: true });
+const { default: mockup } = await import("./helpers/mockup.mjs");
+const { createElement } = await import("react");
+const { createRoot } = await import("react-dom/client");
+
+const { default: KeychainVault, createMemoryBackend, createVault, themeContrastIssues } = mockup;
+const PASSWORD = "hunter2-Secret!";
+const ITEM = { id: 1, type: "login", name: "GitHub", username: "octocat", password: PASSWORD, url: "github.com", category: "dev" };
+
+const waitFor = async (find, what, ms = 20000) => {
+  for (const end = Date.now() + ms; Date.now() < end; await new Promise(r => setTimeout(r, 20))) { const found = find(); if (found) return found; }
+  throw new Error(`Timed out waiting for ${what}`);
+};
+const byText = (sel, text) => [...el.querySelectorAll(sel)].find(n => n.textContent.trim() === text);
+const click = (node) => node.dispatchEvent(new dom.window.MouseEvent("click", { bubbles: true }));
+const press = (node, key) => node.dispatchEvent(new dom.window.KeyboardEvent("keydown", { key, bubbles: true }));
+const type = (input, value) => {
+  Object.getOwnPropertyDescriptor(dom.window.HTMLInputElement.prototype, "value").set.call(input, value);
+  input.dispatchEvent(new dom.window.Event("input", { bubbles: true }));
+};
+
+let el, root;
+before(async () => {
+  const backend = createMemoryBackend();
+  await createVault(backend, "pw", { items: [ITEM], categories: [{ key: "dev", label: "Development", icon: "⌬" }] });
+  el = document.body.appendChild(document.createElement("div"));
+  root = createRoot(el); root.render(createElement(KeychainVault, { backend }));
+  click(await waitFor(() => byText("span", "Vault"), "the menu bar icon"));
+  type(await waitFor(() => el.querySelector("input[type=password]"), "the unlock form"), "pw");
+  click(byText("button", "Unlock Vault"));
+  await waitFor(() => el.querySelector("[role=list]"), "the item list");
+});
+after(() => { root.unmount(); dom.window.close(); });
+
+test("a masked password stays out of the page text but is announced as hidden", async () => {
+  click(await waitFor(() => byText("span", "GitHub"), "the GitHub row"));
+  await waitFor(() => el.querySelector("button[aria-label='Show Password']"), "the detail pane");
+  assert.ok(!el.textContent.includes(PASSWORD));
+  assert.ok(el.textContent.includes("Password, hidden"));
+});
+
+test("settings toggles are switches that report their state", async () => {
+  click(el.querySelector("button[title^=Settings]"));
+  const toggle = () => el.querySelector("button[role=switch][aria-label='Light Mode']");
+  assert.equal((await waitFor(toggle, "the theme switch")).getAttribute("aria-checked"), "false");
+  click(toggle());
+  await waitFor(() => toggle().getAttribute("aria-checked") === "true", "the switch to turn on");
+});
+
+test("the language dropdown works from the keyboard", async () => {
+  const combobox = el.querySelector("button[role=combobox][aria-label=Language]");
+  press(combobox, "ArrowDown");
+  await waitFor(() => combobox.getAttribute("aria-expanded") === "true", "the listbox to open");
+  const listbox = el.querySelector("[role=listbox]");
+  assert.ok(listbox.contains(document.getElementById(combobox.getAttribute("aria-activedescendant"))));
+  press(combobox, "Escape");
+  await waitFor(() => combobox.getAttribute("aria-expanded") === "false", "Escape to close the listbox");
+  assert.ok(el.querySelector("button[role=switch]"), "Escape leaves the settings panel open");
+
+  // Choose the last language, then come back to the first, one key at a time.
+  const pick = async (box, key, label) => {
+    press(box, "ArrowDown"); await waitFor(() => box.getAttribute("aria-expanded") === "true", "the listbox to open");
+    press(box, key); await waitFor(() => document.getElementById(box.getAttribute("aria-activedescendant"))?.textContent.startsWith(label), `${key} to reach ${label}`);
+    press(box, "Enter");
+  };
+  await pick(combobox, "End", "العربية");
+  await waitFor(() => el.querySelector("[dir=rtl][lang=ar]"), "the Arabic layout");
+  await pick(el.querySelector("button[role=combobox][aria-label=اللغة]"), "Home", "English");
+  await waitFor(() => el.querySelector("[dir=ltr][lang=en]"), "English again");
+});
+
+test("both themes meet WCAG AA contrast for text", () => {
+  assert.deepEqual(themeContrastIssues("dark"), []);
+  assert.deepEqual(themeContrastIssues("light"), []);
+});
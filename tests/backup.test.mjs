@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mockup from "./helpers/mockup.mjs";
+
+const { createBackup, openBackup, normalizeStoredItems, estimatePassword } = mockup;
+const PAYLOAD = { items: [{ id: 1, type: "login", name: "GitHub", password: "hunter2" }], categories: [] };
+const withIterations = (text, iterations) => JSON.stringify({ ...JSON.parse(text), kdf: { name: "PBKDF2-SHA256", iterations } });
+
+test("openBackup round-trips createBackup", async () => {
+  const text = await createBackup(PAYLOAD, "backup pw", { iterations: 100000 });
+  assert.deepEqual(await openBackup(text, "backup pw"), PAYLOAD);
+  await assert.rejects(openBackup(text, "wrong pw"), /Wrong password/);
+});
+
+test("openBackup rejects iteration counts outside the supported range before deriving", async () => {
+  const text = await createBackup(PAYLOAD, "backup pw", { iterations: 100000 });
+  for (const iterations of [1000, 1e9, 250000.5, "600000", -1]) {
+    await assert.rejects(openBackup(withIterations(text, iterations), "backup pw"), /Unsupported key derivation cost/);
+  }
+});
+
+test("restored items get the same clean-up as an unlocked vault", () => {
+  const now = Date.UTC(2026, 5, 1);
+  const stored = [
+    { id: 1, type: "login", name: "GitHub", username: "octocat", url: "github.com", password: "hunter2", strength: 90, lastUsed: "2 days ago" },
+    { id: 2, type: "note", name: "Old", deletedAt: now - 31 * 86400000 },
+    { id: 3, type: "note", name: "Recent", deletedAt: now - 86400000 },
+  ];
+  const items = normalizeStoredItems(stored, now);
+  assert.deepEqual(items.map(i => i.id), [1, 3]);
+  assert.equal(items[0].lastUsedAt, now - 2 * 86400000);
+  assert.equal("lastUsed" in items[0], false);
+  assert.equal(items[0].strength, estimatePassword("hunter2", ["GitHub", "octocat", "github.com"]).strength);
+});
@@ -0,0 +1,40 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import mockup from "./helpers/mockup.mjs";
+
+const { createHibpClient, sha1Hex } = mockup;
+
+// A stand-in for the HIBP range API: known hashes by full SHA-1, padded with zero-count rows.
+const BREACHED = { password: 3861493, "correct horse battery staple": 208 };
+const requests = [];
+let server, baseUrl;
+before(async () => {
+  const known = Object.fromEntries(await Promise.all(Object.entries(BREACHED).map(async ([pw, n]) => [await sha1Hex(pw), n])));
+  server = createServer((req, res) => {
+    requests.push(req.url);
+    const prefix = req.url.match(/^\/range\/([0-9A-F]{5})$/)?.[1];
+    if (!prefix) { res.writeHead(404).end(); return; }
+    const rows = Object.entries(known).filter(([h]) => h.startsWith(prefix)).map(([h, n]) => `${h.slice(5)}:${n}`);
+    res.end([...rows, "0000000000000000000000000000000000A:0"].join("\r\n"));
+  });
+  await new Promise(r => server.listen(0, "127.0.0.1", r));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => server.close());
+
+test("pwnedCount finds breached passwords and only sends the hash prefix", async () => {
+  const hibp = createHibpClient({ baseUrl });
+  assert.equal(await hibp.pwnedCount("password"), 3861493);
+  assert.equal(await hibp.pwnedCount("correct horse battery staple"), 208);
+  assert.equal(await hibp.pwnedCount("a-password-nobody-has-used-9f3k"), 0);
+  assert.ok(requests.every(url => /^\/range\/[0-9A-F]{5}$/.test(url)), requests.join(", "));
+});
+
+test("pwnedCount reports server errors and retries the range afterwards", async () => {
+  let fail = true;
+  const hibp = createHibpClient({ baseUrl, fetch: (url, init) => fail ? Promise.resolve(new Response("", { status: 503 })) : fetch(url, init) });
+  await assert.rejects(hibp.pwnedCount("password"), /HTTP 503/);
+  fail = false;
+  assert.equal(await hibp.pwnedCount("password"), 3861493);
+});
@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mockup from "./helpers/mockup.mjs";
+
+const { categoryTree, categoryDescendants, categoryPath, reorderCategories, deleteCategory, FALLBACK_CATEGORY } = mockup;
+const NOW = Date.UTC(2026, 5, 1);
+// work › clients › acme, with personal and finance alongside.
+const CATEGORIES = [
+  { key: "personal", label: "Personal" },
+  { key: "work", label: "Work" },
+  { key: "acme", label: "Acme", parent: "clients" },
+  { key: "finance", label: "Finance" },
+  { key: "clients", label: "Clients", parent: "work" },
+];
+const keys = (categories) => categories.map(c => c.key);
+
+test("categoryTree lists children under their parents, depth first", () => {
+  assert.deepEqual(categoryTree(CATEGORIES).map(r => [r.cat.key, r.depth]), [["personal", 0], ["work", 0], ["clients", 1], ["acme", 2], ["finance", 0]]);
+  // An orphan whose parent was removed shows up at the top level rather than vanishing.
+  assert.deepEqual(categoryTree([...CATEGORIES, { key: "lost", label: "Lost", parent: "gone" }]).at(-1), { cat: { key: "lost", label: "Lost", parent: "gone" }, depth: 0 });
+  assert.deepEqual(categoryDescendants(CATEGORIES, "work"), ["work", "clients", "acme"]);
+  assert.equal(categoryPath(CATEGORIES, "acme"), "Work › Clients › Acme");
+});
+
+test("reorderCategories moves a category into another's place in either direction", () => {
+  assert.deepEqual(keys(reorderCategories(CATEGORIES, "personal", "acme")), ["work", "acme", "personal", "finance", "clients"]);
+  assert.deepEqual(keys(reorderCategories(CATEGORIES, "finance", "work")), ["personal", "finance", "work", "acme", "clients"]);
+  assert.equal(reorderCategories(CATEGORIES, "work", "work"), CATEGORIES);
+  assert.equal(reorderCategories(CATEGORIES, "missing", "work"), CATEGORIES);
+});
+
+test("deleteCategory moves sub-categories up to the deleted category's parent", () => {
+  const { categories } = deleteCategory({ items: [], categories: CATEGORIES }, "clients", "work", NOW);
+  assert.deepEqual(categories.find(c => c.key === "acme"), { key: "acme", label: "Acme", parent: "work" });
+  const top = deleteCategory({ items: [], categories: CATEGORIES }, "work", "personal", NOW).categories;
+  assert.deepEqual(top.find(c => c.key === "clients"), { key: "clients", label: "Clients" });
+  assert.deepEqual(keys(top), ["personal", "acme", "finance", "clients"]);
+});
+
+test("deleteCategory refiles its items, or trashes them under the fallback category", () => {
+  const items = [
+    { id: 1, category: "clients" },
+    { id: 2, category: "acme" },
+    { id: 3, category: "clients", deletedAt: NOW - 1000 },
+  ];
+  const moved = deleteCategory({ items, categories: CATEGORIES }, "clients", "finance", NOW).items;
+  assert.deepEqual(moved, [{ id: 1, category: "finance" }, { id: 2, category: "acme" }, { id: 3, category: "finance", deletedAt: NOW - 1000 }]);
+  const trashed = deleteCategory({ items, categories: CATEGORIES }, "clients", null, NOW).items;
+  assert.deepEqual(trashed, [{ id: 1, category: FALLBACK_CATEGORY, deletedAt: NOW }, { id: 2, category: "acme" }, { id: 3, category: FALLBACK_CATEGORY, deletedAt: NOW - 1000 }]);
+});
@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mockup from "./helpers/mockup.mjs";
+
+const { clearClipboardIfUnchanged } = mockup;
+// A stand-in for navigator.clipboard; `read` replaces readText (null leaves it out entirely).
+const fakeClipboard = (text, read) => {
+  const clip = { text, writeText: async (v) => { clip.text = v; } };
+  if (read !== null) clip.readText = read || (async () => clip.text);
+  return clip;
+};
+
+test("clearClipboardIfUnchanged clears the copied secret", async () => {
+  const clip = fakeClipboard("hunter2");
+  assert.equal(await clearClipboardIfUnchanged(clip, "hunter2"), true);
+  assert.equal(clip.text, "");
+});
+
+test("clearClipboardIfUnchanged leaves something copied since alone", async () => {
+  const clip = fakeClipboard("a shopping list");
+  assert.equal(await clearClipboardIfUnchanged(clip, "hunter2"), false);
+  assert.equal(clip.text, "a shopping list");
+});
+
+test("clearClipboardIfUnchanged clears unconditionally when the clipboard can't be read", async () => {
+  const denied = fakeClipboard("hunter2", async () => { throw new DOMException("Read permission denied.", "NotAllowedError"); });
+  assert.equal(await clearClipboardIfUnchanged(denied, "hunter2"), true);
+  assert.equal(denied.text, "");
+  const writeOnly = fakeClipboard("hunter2", null);
+  assert.equal(await clearClipboardIfUnchanged(writeOnly, "hunter2"), true);
+  assert.equal(writeOnly.text, "");
+});
+
+test("clearClipboardIfUnchanged reports a failed write", async () => {
+  const clip = { readText: async () => "hunter2", writeText: async () => { throw new DOMException("Document is not focused.", "NotAllowedError"); } };
+  assert.equal(await clearClipboardIfUnchanged(clip, "hunter2"), false);
+});
@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mockup from "./helpers/mockup.mjs";
+
+const { cardExpiryDate, itemDueDate, expiryStatus, expiryReminders } = mockup;
+// Due dates are local time, so the expectations are built the same way.
+const local = (y, m, d, h = 0, min = 0) => new Date(y, m - 1, d, h, min).getTime();
+const DAY = 86400000;
+
+test("cardExpiryDate reads MM/YY and MM/YYYY as the first instant after that month", () => {
+  assert.equal(cardExpiryDate("12/26"), local(2027, 1, 1));
+  assert.equal(cardExpiryDate(" 3 / 2029 "), local(2029, 4, 1));
+  // February of a leap year runs through the 29th.
+  assert.equal(cardExpiryDate("02/28"), local(2028, 3, 1));
+  assert.ok(cardExpiryDate("02/28") > local(2028, 2, 29, 23, 59));
+  for (const bad of ["13/27", "00/27", "1227", "12/2", "", undefined]) assert.equal(cardExpiryDate(bad), null, String(bad));
+});
+
+test("itemDueDate picks the earliest of card expiry, expires date and rotation", () => {
+  assert.deepEqual(itemDueDate({ type: "card", expiry: "06/27" }), { at: local(2027, 7, 1), reason: "Card expires" });
+  assert.deepEqual(itemDueDate({ type: "card", expiry: "06/27", expires: "2027-03-15" }), { at: local(2027, 3, 16), reason: "Expires" });
+  const changed = local(2026, 1, 10);
+  assert.deepEqual(itemDueDate({ type: "login", rotateEvery: "Quarterly", passwordChangedAt: changed, expires: "2027-01-01" }), { at: local(2026, 4, 10), reason: "Rotation due" });
+  assert.deepEqual(itemDueDate({ type: "login", rotateEvery: "Yearly", createdAt: changed }), { at: local(2027, 1, 10), reason: "Rotation due" });
+  assert.equal(itemDueDate({ type: "login", rotateEvery: "Never", passwordChangedAt: changed }), null);
+  assert.equal(itemDueDate({ type: "note", rotateEvery: "Monthly", passwordChangedAt: changed }), null);
+});
+
+test("rotation from the end of a month lands on the end of a shorter month", () => {
+  assert.equal(itemDueDate({ type: "login", rotateEvery: "Monthly", passwordChangedAt: local(2026, 1, 31, 9) }).at, local(2026, 2, 28, 9));
+  assert.equal(itemDueDate({ type: "login", rotateEvery: "Monthly", passwordChangedAt: local(2028, 1, 31, 9) }).at, local(2028, 2, 29, 9));
+  assert.equal(itemDueDate({ type: "login", rotateEvery: "Every 6 months", passwordChangedAt: local(2026, 8, 31) }).at, local(2027, 2, 28));
+});
+
+test("expiryStatus is soon within 30 days and expired from the due instant on", () => {
+  const card = { type: "card", expiry: "06/27" }; const due = local(2027, 7, 1);
+  assert.equal(expiryStatus(card, due - 30 * DAY - 1), null);
+  assert.equal(expiryStatus(card, due - 30 * DAY).status, "soon");
+  assert.equal(expiryStatus(card, due - 1).status, "soon");
+  assert.deepEqual(expiryStatus(card, due), { status: "expired", at: due, reason: "Card expires" });
+  assert.equal(expiryStatus({ type: "note" }, due), null);
+});
+
+test("expiryReminders lists due and overdue items soonest first, skipping the trash", () => {
+  const now = local(2027, 6, 15);
+  const items = [
+    { id: 1, type: "card", expiry: "06/27" },
+    { id: 2, type: "login", expires: "2027-05-01" },
+    { id: 3, type: "card", expiry: "12/30" },
+    { id: 4, type: "card", expiry: "01/20", deletedAt: now },
+  ];
+  assert.deepEqual(expiryReminders(items, now).map(r => [r.item.id, r.status]), [[2, "expired"], [1, "soon"]]);
+});
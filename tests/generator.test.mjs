@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mockup from "./helpers/mockup.mjs";
+
+const { randomInt, passwordCharClasses, randomPasswordEntropy, generateRandomPassword, generatePassphrase, generatePIN, policyForUrl } = mockup;
+const CLASSES = [/[A-Z]/, /[a-z]/, /[0-9]/, /[!@#$%^&*()_+\-=]/];
+
+test("randomInt stays in range and rejects the biased top of the 32-bit space", (t) => {
+  const seen = new Set();
+  for (let i = 0; i < 2000; i++) { const n = randomInt(7); assert.ok(Number.isInteger(n) && n >= 0 && n < 7); seen.add(n); }
+  assert.equal(seen.size, 7);
+  // 2^32 % 3 === 1, so only 2^32 - 1 falls in the partial bucket and must be redrawn.
+  const draws = [2 ** 32 - 1, 2 ** 32 - 2];
+  t.mock.method(globalThis.crypto, "getRandomValues", (buf) => { buf[0] = draws.shift(); return buf; });
+  assert.equal(randomInt(3), (2 ** 32 - 2) % 3);
+  assert.equal(draws.length, 0);
+});
+
+test("generateRandomPassword uses every enabled class, even at the minimum length", () => {
+  for (let i = 0; i < 200; i++) {
+    const { password } = generateRandomPassword({ length: 4 });
+    assert.equal(password.length, 4);
+    for (const re of CLASSES) assert.match(password, re);
+  }
+  const { password } = generateRandomPassword({ length: 30, symbols: false });
+  assert.doesNotMatch(password, CLASSES[3]);
+  assert.throws(() => generateRandomPassword({ length: 3 }), /Length must be at least 4/);
+});
+
+test("generateRandomPassword can leave out look-alike characters", () => {
+  for (let i = 0; i < 50; i++) assert.doesNotMatch(generateRandomPassword({ length: 64, excludeAmbiguous: true, symbolSet: "|!" }).password, /[Il1O0o|]/);
+  assert.deepEqual(passwordCharClasses({ customChars: "0123456789abcdef", excludeAmbiguous: true }), ["23456789abcdef"]);
+});
+
+test("generateRandomPassword refuses an empty custom alphabet", () => {
+  assert.throws(() => generateRandomPassword({ customChars: "  " }), /No characters to generate from/);
+  assert.throws(() => generateRandomPassword({ customChars: "O0o", excludeAmbiguous: true }), /No characters to generate from/);
+});
+
+test("the reported entropy counts only passwords that contain every class", () => {
+  assert.equal(randomPasswordEntropy(["ab"], 10), 10);
+  // Of the four two-letter strings over {a, b} only "ab" and "ba" use both classes.
+  assert.ok(Math.abs(randomPasswordEntropy(["a", "b"], 2) - 1) < 1e-9);
+  const classes = passwordCharClasses();
+  const { entropy } = generateRandomPassword({ length: 20 });
+  assert.equal(entropy, randomPasswordEntropy(classes, 20));
+  assert.ok(entropy < 20 * Math.log2(76) && entropy > 20 * Math.log2(76) - 1);
+  assert.equal(generatePIN(6).entropy, 6 * Math.log2(10));
+});
+
+test("generatePassphrase reports word-list entropy, plus the digits between words", () => {
+  const plain = generatePassphrase({ words: 4, separator: "Spaces" });
+  assert.equal(plain.password.split(" ").length, 4);
+  assert.equal(plain.entropy, 4 * Math.log2(7776));
+  const numbered = generatePassphrase({ words: 4, separator: "Numbers" });
+  assert.match(numbered.password, /^[a-z-]+\d[a-z-]+\d[a-z-]+\d[a-z-]+$/);
+  assert.equal(numbered.entropy, 4 * Math.log2(7776) + 3 * Math.log2(10));
+  const short = generatePassphrase({ words: 5, fullWords: false, capitalize: true, separator: "Periods" });
+  for (const w of short.password.split(".")) assert.match(w, /^[A-Z][a-z-]{0,3}$/);
+  assert.ok(short.entropy < 5 * Math.log2(7776));
+});
+
+test("policyForUrl finds the policy for a site and its subdomains only", () => {
+  const policies = [{ id: 1, domain: "" }, { id: 2, domain: "example.com" }, { id: 3, domain: "bank.co.uk" }];
+  assert.equal(policyForUrl(policies, "https://login.example.com/signin").id, 2);
+  assert.equal(policyForUrl(policies, "example.com").id, 2);
+  assert.equal(policyForUrl(policies, "online.bank.co.uk").id, 3);
+  assert.equal(policyForUrl(policies, "notexample.com"), null);
+  assert.equal(policyForUrl(policies, ""), null);
+});
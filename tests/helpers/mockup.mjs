@@ -0,0 +1,17 @@
+// Bundles keychain-vault-mockup.jsx into node_modules/.cache so tests can import its exports.
+// The bundle has to sit under the repo for "react" to resolve from its node_modules.
+import { build } from "esbuild";
+import { rm } from "node:fs/promises";
+import { fileURLToPath, pathToFileURL } from "node:url";
+
+const root = fileURLToPath(new URL("../../", import.meta.url));
+const outfile = `${root}node_modules/.cache/keychain-vault/mockup-${process.pid}.mjs`;
+
+await build({
+  entryPoints: [`${root}keychain-vault-mockup.jsx`], outfile, bundle: true, format: "esm", platform: "node",
+  jsx: "automatic", external: ["react", "react-dom"], logLevel: "warning",
+});
+
+const mockup = await import(pathToFileURL(outfile).href);
+await rm(outfile);
+export default mockup;
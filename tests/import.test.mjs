@@ -0,0 +1,17 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mockup from "./helpers/mockup.mjs";
+
+const { applyImport, itemIdAllocator } = mockup;
+const entry = (name) => ({ type: "login", name, username: "u", password: "p", uris: [] });
+
+test("applyImport gives every item an id the vault doesn't use", () => {
+  const existing = [{ id: 1000 }, { id: 1002 }];
+  const { items } = applyImport([entry("a"), entry("b"), entry("c")], {}, [], { existing, now: 1000 });
+  assert.deepEqual(items.map(i => i.id), [1001, 1003, 1004]);
+});
+
+test("itemIdAllocator skips ids handed out earlier", () => {
+  const { items } = applyImport([entry("a"), entry("b")], {}, [], { now: 5000 });
+  assert.equal(itemIdAllocator(items, 5000)(), 5002);
+});
@@ -0,0 +1,40 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mockup from "./helpers/mockup.mjs";
+
+const { ITEM_TYPES, validateItem, sshFingerprint, localizeItemTypes, createTranslator } = mockup;
+// Every required field of a type filled with "x".
+const filled = (type) => Object.fromEntries(ITEM_TYPES[type].fields.filter(f => f.required).map(f => [f.key, "x"]));
+
+test("validateItem names the first missing required field of each type", () => {
+  for (const [type, schema] of Object.entries(ITEM_TYPES)) {
+    assert.equal(validateItem(type, filled(type)), "", type);
+    for (const f of schema.fields.filter(f => f.required)) {
+      assert.equal(validateItem(type, { ...filled(type), [f.key]: "  " }), `${f.label} is required`, `${type}.${f.key}`);
+    }
+  }
+});
+
+test("validateItem checks card expiry, URL patterns and TOTP secrets, custom fields included", () => {
+  assert.equal(validateItem("card", { cardNumber: "4111", expiry: "13/27" }), "Expiry must be MM/YY");
+  assert.equal(validateItem("login", { ...filled("login"), uris: [{ uri: "([a-z", match: "regex" }] }), "Invalid regular expression: ([a-z");
+  assert.match(validateItem("login", { ...filled("login"), totp: "not base32!" }), /^2FA \/ TOTP: /);
+  assert.match(validateItem("note", filled("note"), [{ label: "Backup 2FA", kind: "totp", value: "!!" }]), /^Backup 2FA: /);
+});
+
+test("type and field names and validation messages follow the translator", () => {
+  const de = createTranslator("de");
+  const types = localizeItemTypes(de);
+  assert.equal(types.card.label, "Karte");
+  assert.equal(types.card.fields.find(f => f.key === "cardNumber").label, "Kartennummer");
+  assert.equal(types.card.fields.length, ITEM_TYPES.card.fields.length);
+  assert.equal(validateItem("card", { cardNumber: " " }, [], de), "Kartennummer ist erforderlich");
+  assert.equal(validateItem("card", { cardNumber: "4111", expiry: "13/27" }, [], de), "Gültig bis muss MM/JJ sein");
+});
+
+test("sshFingerprint matches ssh-keygen -l for a known key", async () => {
+  const key = "ssh-ed25519 AAAAC3NzaC1lZDI1NTE5AAAAIPiNMuCsugg+mMetVpP88z5xrzQFGOuUeQBDbq+SuQX1 deploy@example";
+  assert.equal(await sshFingerprint(key), "SHA256:LDoCxLtxBL6DDot6ZYmK3qsioan0rpT0LrEAgQHK72E");
+  assert.equal(await sshFingerprint("ssh-ed25519"), null);
+  assert.equal(await sshFingerprint("ssh-ed25519 not*base64"), null);
+});
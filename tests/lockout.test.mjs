@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mockup from "./helpers/mockup.mjs";
+
+const { NO_AUTH_FAILURES, lockoutDelay, recordAuthFailure, readAuthFailures, writeAuthFailures } = mockup;
+const NOW = Date.UTC(2026, 5, 1);
+// A stand-in for localStorage.
+const memoryStorage = () => { const m = new Map(); return { getItem: (k) => m.get(k) ?? null, setItem: (k, v) => m.set(k, String(v)), removeItem: (k) => m.delete(k), clear: () => m.clear() }; };
+// Unlock and re-auth refuse to try a password while this holds.
+const isLocked = (state, at) => state.lockedUntil > at;
+const fail = (times, state = NO_AUTH_FAILURES, at = NOW) => { for (let i = 0; i < times; i++) state = recordAuthFailure(state, at); return state; };
+
+test("the first three failures are free, then each one doubles the wait up to 15 minutes", () => {
+  assert.deepEqual([0, 1, 2, 3, 4, 5, 6].map(lockoutDelay), [0, 0, 0, 5000, 10000, 20000, 40000]);
+  assert.equal(lockoutDelay(20), 15 * 60000);
+});
+
+test("the vault locks after the third failure and opens again once the delay has passed", () => {
+  assert.equal(isLocked(fail(2), NOW), false);
+  const locked = fail(3);
+  assert.equal(isLocked(locked, NOW), true);
+  assert.equal(isLocked(locked, NOW + 4999), true);
+  assert.equal(isLocked(locked, NOW + 5000), false);
+  // A wrong try after waiting out the first lock waits twice as long.
+  const again = recordAuthFailure(locked, NOW + 5000);
+  assert.equal(isLocked(again, NOW + 14999), true);
+  assert.equal(isLocked(again, NOW + 15000), false);
+});
+
+test("the failure count survives a reload through storage", () => {
+  const storage = memoryStorage(); const state = fail(4);
+  writeAuthFailures(state, storage);
+  assert.deepEqual(readAuthFailures(storage), state);
+  writeAuthFailures(NO_AUTH_FAILURES, storage);
+  assert.equal(storage.getItem("keychain-vault-lockout"), null);
+  assert.deepEqual(readAuthFailures(storage), NO_AUTH_FAILURES);
+});
+
+test("clearing storage doesn't lift a lockout while the page is open", () => {
+  const storage = memoryStorage(); const state = fail(5);
+  writeAuthFailures(state, storage);
+  storage.clear();
+  assert.deepEqual(readAuthFailures(storage), state);
+  const blocked = { getItem: () => { throw new Error("SecurityError"); }, setItem: () => { throw new Error("SecurityError"); }, removeItem: () => {} };
+  assert.deepEqual(readAuthFailures(blocked), state);
+  writeAuthFailures(NO_AUTH_FAILURES, storage);
+});
@@ -0,0 +1,30 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mockup from "./helpers/mockup.mjs";
+
+const { parseMarkdown, redactSecrets } = mockup;
+// Every secret node in document order, wherever it sits.
+const secrets = (nodes) => nodes.flatMap(n => n.type === "secret" ? [n] : secrets(n.children || []));
+
+test("secrets are numbered through the whole note, nested ones included", () => {
+  const blocks = parseMarkdown("# ||a||\n- [ ] pin **||b||**\n[||c||](https://example.com)");
+  assert.deepEqual(secrets(blocks).map(n => [n.text, n.index]), [["a", 0], ["b", 1], ["c", 2]]);
+});
+
+test("secrets inside inline code and code blocks stay masked", () => {
+  const blocks = parseMarkdown("run `export TOKEN=||abc123||` first\n```\nuser: admin\npass: ||hunter2||\n```\n||after||");
+  assert.deepEqual(secrets(blocks).map(n => [n.text, n.index]), [["abc123", 0], ["hunter2", 1], ["after", 2]]);
+  const [line, block] = blocks;
+  assert.deepEqual(line.children[1], { type: "code", children: [{ type: "text", text: "export TOKEN=" }, { type: "secret", text: "abc123", index: 0 }] });
+  assert.equal(block.type, "code");
+  assert.ok(!JSON.stringify(block.children.filter(n => n.type === "text")).includes("hunter2"));
+});
+
+test("code keeps other markup literal", () => {
+  const [line] = parseMarkdown("`**not bold** [x](https://e.com)`");
+  assert.deepEqual(line.children, [{ type: "code", children: [{ type: "text", text: "**not bold** [x](https://e.com)" }] }]);
+});
+
+test("redactSecrets hides every secret span, in code too", () => {
+  assert.equal(redactSecrets("pin ||1234|| and `||abcd||`"), "pin •••••• and `••••••`");
+});
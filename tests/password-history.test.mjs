@@ -0,0 +1,30 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mockup from "./helpers/mockup.mjs";
+
+const { applyPasswordChange, restorePasswordFromHistory } = mockup;
+const LOGIN = { id: 1, type: "login", name: "GitHub", username: "octocat", password: "first-password" };
+
+test("changing the password files the old one at the top of the history", () => {
+  const changed = applyPasswordChange(LOGIN, "second-password", 1000);
+  assert.equal(changed.password, "second-password");
+  assert.equal(changed.passwordChangedAt, 1000);
+  assert.deepEqual(changed.passwordHistory, [{ password: "first-password", changedAt: 1000 }]);
+  assert.equal(applyPasswordChange(changed, "second-password", 2000), changed);
+});
+
+test("the history keeps the 20 most recent passwords", () => {
+  let item = LOGIN;
+  for (let i = 1; i <= 25; i++) item = applyPasswordChange(item, `password-${i}`, i);
+  assert.equal(item.passwordHistory.length, 20);
+  assert.equal(item.passwordHistory[0].password, "password-24");
+  assert.equal(item.passwordHistory.at(-1).password, "password-5");
+});
+
+test("restoring an old password swaps it with the current one", () => {
+  const item = applyPasswordChange(applyPasswordChange(LOGIN, "second-password", 1000), "third-password", 2000);
+  const restored = restorePasswordFromHistory(item, 1, 3000);
+  assert.equal(restored.password, "first-password");
+  assert.deepEqual(restored.passwordHistory.map(h => h.password), ["third-password", "second-password"]);
+  assert.equal(restored.passwordHistory[0].changedAt, 3000);
+});
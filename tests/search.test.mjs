@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mockup from "./helpers/mockup.mjs";
+
+const { parseSearchQuery, fuzzyMatch, searchVault } = mockup;
+const item = (id, name, extra = {}) => ({ id, type: "login", name, ...extra });
+
+test("parseSearchQuery pulls type:, cat: and is: filters out of the free text", () => {
+  assert.deepEqual(parseSearchQuery("Type:Logins github is:fav cat:dev"), { terms: ["github"], type: "login", cat: "dev", fav: true, due: null });
+  assert.equal(parseSearchQuery("is:favorite").fav, true);
+  assert.equal(parseSearchQuery("is:expired").due, "expired");
+  assert.equal(parseSearchQuery("type:wi-fi").type, "wifi");
+  // An unknown type or flag stays a search term rather than silently matching nothing.
+  assert.deepEqual(parseSearchQuery("type:spaceship is:shiny"), { terms: ["type:spaceship", "is:shiny"], type: null, cat: null, fav: false, due: null });
+});
+
+test("searchVault applies the type and favourite filters", () => {
+  const items = [item(1, "Bank", { fav: true }), item(2, "Alarm code", { type: "note" }), item(3, "Mail"), item(4, "Diary", { type: "note", fav: true })];
+  assert.deepEqual(searchVault(items, "type:note").map(r => r.item.id), [4, 2]);
+  assert.deepEqual(searchVault(items, "is:fav").map(r => r.item.id), [1, 4]);
+  assert.deepEqual(searchVault(items, "type:login is:fav").map(r => r.item.id), [1]);
+});
+
+test("fuzzyMatch prefers runs and word starts and rejects spread-out letters", () => {
+  assert.deepEqual(fuzzyMatch("hub", "github").positions, [3, 4, 5]);
+  assert.ok(fuzzyMatch("git", "github").score > fuzzyMatch("hub", "github").score);
+  assert.deepEqual(fuzzyMatch("git", "gift tag").positions, [0, 1, 3]);
+  assert.equal(fuzzyMatch("git", "great idea toolkit"), null);
+  assert.equal(fuzzyMatch("xyz", "github"), null);
+});
+
+test("searchVault ranks a name prefix above a username hit above a fuzzy match", () => {
+  const items = [item(1, "Gift Tag"), item(2, "Work", { username: "git-admin" }), item(3, "Unrelated"), item(4, "GitHub")];
+  const results = searchVault(items, "git");
+  assert.deepEqual(results.map(r => r.item.id), [4, 2, 1]);
+  assert.deepEqual(results[0].matches, { name: [0, 1, 2] });
+  assert.deepEqual(results[1].matches, { username: [0, 1, 2] });
+});
+
+test("searchVault over 5,000 items stays fast, cold and cached", () => {
+  const items = Array.from({ length: 5000 }, (_, i) => item(i, `Account ${i}`, { username: `user${i}@example.com`, url: `service${i}.example.com`, fav: i % 50 === 0, lastUsedAt: Date.now() - i * 60000 }));
+  let start = performance.now();
+  assert.equal(searchVault(items, "acct").length, 5000);
+  assert.ok(performance.now() - start < 500, `first search took ${Math.round(performance.now() - start)} ms`);
+  start = performance.now();
+  searchVault(items, "service42");
+  assert.ok(performance.now() - start < 150, `cached search took ${Math.round(performance.now() - start)} ms`);
+});
@@ -0,0 +1,27 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mockup from "./helpers/mockup.mjs";
+
+const { generateSecretKey, formatSecretKey, parseSecretKey, emergencyKitText } = mockup;
+
+test("a formatted secret key parses back to the same bytes, however it was typed", () => {
+  const key = generateSecretKey();
+  const printed = formatSecretKey(key);
+  assert.match(printed, /^K1-[A-Z2-7]{6}(-[A-Z2-7]{5}){4}$/);
+  assert.deepEqual(parseSecretKey(printed), key);
+  assert.deepEqual(parseSecretKey(printed.slice(3).toLowerCase().replace(/-/g, " ")), key);
+});
+
+test("parseSecretKey rejects keys of the wrong length or with characters outside base32", () => {
+  assert.throws(() => parseSecretKey("K1-ABCDEF-GHIJK"), /26 letters and digits/);
+  assert.throws(() => parseSecretKey("K1-ABCDEF-GHIJK-LMNOP-QRSTU-VWXY0"), /Invalid base32 character: 0/);
+});
+
+test("the Emergency Kit names the vault, the key and the day it was made, and leaves the password blank", () => {
+  const secretKey = formatSecretKey(generateSecretKey());
+  const kit = emergencyKitText({ secretKey, createdAt: Date.UTC(2026, 0, 15, 12), location: "This browser" });
+  assert.match(kit, /Created: +2026-01-15/);
+  assert.match(kit, /Vault: +This browser/);
+  assert.ok(kit.includes(`Secret Key:   ${secretKey}`));
+  assert.match(kit, /Master Password: _+/);
+});
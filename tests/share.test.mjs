@@ -0,0 +1,92 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import mockup from "./helpers/mockup.mjs";
+
+const { createShare, openShare, createMemoryShareTransport, createHttpShareTransport } = mockup;
+const HOUR = 3600000;
+const ITEM = { id: 7, type: "login", name: "GitHub", username: "octocat", password: "hunter2", url: "github.com", category: "dev", fav: true, passwordHistory: [{ password: "old" }] };
+
+// A transport that lets the test rewrite what the server hands back.
+const alteredTransport = (alter) => {
+  const inner = createMemoryShareTransport();
+  return { ...inner, take: async (id) => { const p = await inner.take(id); return p && alter({ ...p }); } };
+};
+
+test("openShare returns the shared fields and nothing else", async () => {
+  const transport = createMemoryShareTransport();
+  const { url } = await createShare(ITEM, transport);
+  const { item } = await openShare(url, transport);
+  assert.deepEqual(item, { type: "login", name: "GitHub", url: "github.com", username: "octocat", password: "hunter2" });
+});
+
+test("a share stops opening once its views are used up", async () => {
+  const transport = createMemoryShareTransport();
+  const { url } = await createShare(ITEM, transport, { maxViews: 2 });
+  await openShare(url, transport); await openShare(url, transport);
+  await assert.rejects(openShare(url, transport), /expired or was already used up/);
+});
+
+test("a share stops opening once it expires", async () => {
+  let clock = 1e12;
+  const transport = createMemoryShareTransport({ now: () => clock });
+  const { url, expiresAt } = await createShare(ITEM, transport, { expiresIn: HOUR, maxViews: 3, now: clock });
+  assert.equal(expiresAt, clock + HOUR);
+  await openShare(url, transport, { now: clock });
+  clock += HOUR;
+  await assert.rejects(openShare(url, transport, { now: clock }), /expired/);
+});
+
+test("openShare rejects a payload whose ciphertext or limits were altered", async () => {
+  const flip = (b64) => { const bytes = Buffer.from(b64, "base64"); bytes[0] ^= 1; return bytes.toString("base64"); };
+  for (const alter of [p => ({ ...p, ct: flip(p.ct) }), p => ({ ...p, expiresAt: p.expiresAt + 30 * 24 * HOUR }), p => ({ ...p, maxViews: 10 })]) {
+    const transport = alteredTransport(alter);
+    const { url } = await createShare(ITEM, transport);
+    await assert.rejects(openShare(url, transport), /key doesn't match/);
+  }
+});
+
+test("openShare rejects a link with its key cut off", async () => {
+  const transport = createMemoryShareTransport();
+  const { url } = await createShare(ITEM, transport);
+  await assert.rejects(openShare(url.split("#")[0], transport), /link is incomplete/);
+});
+
+// A stand-in share server: the HTTP transport should only ever send it the sealed payload.
+const stored = new Map(); const bodies = [];
+let server, baseUrl;
+before(async () => {
+  server = createServer(async (req, res) => {
+    let body = ""; for await (const chunk of req) body += chunk;
+    const json = (status, data) => res.writeHead(status, { "Content-Type": "application/json" }).end(JSON.stringify(data));
+    let m;
+    if (req.method === "POST" && req.url === "/shares") { bodies.push(body); const id = `s${stored.size + 1}`; stored.set(id, { payload: JSON.parse(body), views: 0 }); json(201, { id }); }
+    else if (req.method === "POST" && (m = req.url.match(/^\/shares\/([^/]+)\/open$/))) {
+      const s = stored.get(m[1]); if (!s) { json(410, {}); return; }
+      if (++s.views >= s.payload.maxViews) stored.delete(m[1]);
+      json(200, s.payload);
+    }
+    else if (req.method === "DELETE" && (m = req.url.match(/^\/shares\/([^/]+)$/))) { stored.delete(m[1]); res.writeHead(204).end(); }
+    else json(404, {});
+  });
+  await new Promise(r => server.listen(0, "127.0.0.1", r));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => server.close());
+
+test("the HTTP transport round-trips a share without sending the key or the item", async () => {
+  const transport = createHttpShareTransport({ baseUrl });
+  const { url } = await createShare(ITEM, transport);
+  assert.ok(url.startsWith(`${baseUrl}/s/`));
+  assert.doesNotMatch(bodies.at(-1), /hunter2|GitHub/);
+  assert.ok(!bodies.at(-1).includes(url.split("#")[1]));
+  assert.equal((await openShare(url, transport)).item.password, "hunter2");
+  await assert.rejects(openShare(url, transport), /expired or was already used up/);
+});
+
+test("a revoked share no longer opens over HTTP", async () => {
+  const transport = createHttpShareTransport({ baseUrl });
+  const { id, url } = await createShare(ITEM, transport, { maxViews: 3 });
+  await transport.revoke(id);
+  await assert.rejects(openShare(url, transport), /expired or was already used up/);
+});
@@ -0,0 +1,17 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mockup from "./helpers/mockup.mjs";
+
+const { shortcutFromEvent, formatShortcut } = mockup;
+
+test("shortcutFromEvent reads letters from the key code and ignores bare modifiers", () => {
+  assert.equal(shortcutFromEvent({ key: "ç", code: "KeyC", ctrlKey: true, altKey: true }), "Mod+Alt+C");
+  assert.equal(shortcutFromEvent({ key: "Shift", code: "ShiftLeft", shiftKey: true }), null);
+  assert.equal(shortcutFromEvent({ key: ",", code: "Comma", ctrlKey: true }), "Mod+,");
+});
+
+test("the + key is spelled Plus so bindings still split into their parts", () => {
+  const combo = shortcutFromEvent({ key: "+", code: "Equal", ctrlKey: true, shiftKey: true });
+  assert.equal(combo, "Mod+Shift+Plus");
+  assert.equal(formatShortcut(combo), "Ctrl+Shift+Plus");
+});
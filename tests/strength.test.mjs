@@ -0,0 +1,78 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mockup from "./helpers/mockup.mjs";
+
+const { estimatePassword, formatCrackTime } = mockup;
+const REF_YEAR = 2026;
+const estimate = (password, inputs = []) => estimatePassword(password, inputs, { refYear: REF_YEAR });
+// The patterns the cheapest cover of the password is made of, e.g. ["dictionary", "bruteforce"].
+const patterns = (password) => estimate(password).sequence.map(m => m.pattern);
+
+test("common passwords and words are found as dictionary matches", () => {
+  assert.equal(estimate("password").warning, "This is a top-10 common password");
+  assert.equal(estimate("dragon").warning, "This is a top-100 common password");
+  assert.equal(estimate("keychain").warning, "This is a very common password");
+  assert.equal(estimate("staple").warning, "A word by itself is easy to guess");
+  assert.equal(estimate("octocat", ["GitHub", "octocat"]).warning, "This contains details from this login");
+  assert.equal(estimate("octocat").warning, "");
+});
+
+test("l33t spellings, capitals and reversed words still match the dictionary", () => {
+  const l33t = estimate("p4ssw0rd");
+  assert.deepEqual(l33t.sequence.map(m => [m.pattern, m.l33t]), [["dictionary", 2]]);
+  assert.ok(l33t.suggestions.includes("Predictable substitutions like '@' instead of 'a' don't help very much"));
+  assert.ok(estimate("drowssap").suggestions.includes("Reversed words aren't much harder to guess"));
+  assert.ok(estimate("Password").suggestions.includes("Capitalization doesn't help very much"));
+  // The xkcd example: a l33t, capitalised word plus two guessed characters is weak, not "4 months".
+  const troubador = estimate("Tr0ub4dor&3");
+  assert.deepEqual(troubador.sequence.map(m => m.pattern), ["dictionary", "bruteforce"]);
+  assert.ok(troubador.score <= 2, `scored ${troubador.score}, ${troubador.crackTime}`);
+});
+
+test("keyboard walks, sequences, repeats and dates each get their own warning", () => {
+  assert.deepEqual(patterns("poiuytr"), ["spatial"]);
+  assert.equal(estimate("poiuytr").warning, "Straight rows of keys are easy to guess");
+  assert.equal(estimate("qwerfdsa").warning, "Short keyboard patterns are easy to guess");
+  assert.deepEqual(patterns("abcdefg"), ["sequence"]);
+  assert.deepEqual(patterns("9876543"), ["sequence"]);
+  assert.equal(estimate("9876543").warning, "Sequences like abc or 6543 are easy to guess");
+  assert.equal(estimate("aaaaaaaa").warning, `Repeats like "aaa" are easy to guess`);
+  assert.equal(estimate("abcabcabc").warning, `Repeats like "abcabcabc" are only slightly harder to guess than "abc"`);
+  assert.deepEqual(patterns("13051990"), ["date"]);
+  assert.equal(estimate("13/05/1990").warning, "Dates are often easy to guess");
+  assert.equal(estimate("2024").warning, "Recent years are easy to guess");
+});
+
+test("scores follow the log10 guess thresholds 3, 6, 8 and 10", () => {
+  // Random characters with no pattern cost 10 guesses each.
+  const bands = [["k7z", 1], ["kq7zjw", 2], ["kq7zjwx9", 3], ["kq7zjwx9pm", 4]];
+  for (const [password, score] of bands) {
+    const r = estimate(password);
+    assert.ok(Math.abs(r.guessesLog10 - password.length) < 0.01, password);
+    assert.equal(r.score, score, password);
+    assert.equal(r.strength, Math.round(Math.min(100, (r.guessesLog10 * 100) / 16)));
+  }
+  assert.equal(estimate("kq7zjwx9").crackTime, "3 hours");
+  assert.equal(estimate("kq7zjwx9pm").crackTime, "12 days");
+  assert.deepEqual(estimate("kq7zjwx9pm").suggestions, []);
+  assert.equal(estimate("k7").score, 0);
+  assert.equal(estimate("").crackTime, "instantly");
+});
+
+test("formatCrackTime rounds to the largest whole unit", () => {
+  assert.equal(formatCrackTime(0.5), "less than a second");
+  assert.equal(formatCrackTime(1), "1 second");
+  assert.equal(formatCrackTime(90), "2 minutes");
+  assert.equal(formatCrackTime(86400 * 31 * 4), "4 months");
+  assert.equal(formatCrackTime(86400 * 365 * 99), "99 years");
+  assert.equal(formatCrackTime(86400 * 365 * 100), "centuries");
+});
+
+test("long inputs are only analysed up to a fixed length", () => {
+  const long = "kq7zjwx9pm!".repeat(1000);
+  const start = performance.now(); const r = estimate(long);
+  assert.ok(performance.now() - start < 2000, `took ${Math.round(performance.now() - start)} ms`);
+  assert.equal(r.score, 4);
+  assert.ok(r.guessesLog10 > long.length - 100);
+  assert.ok(estimate("x".repeat(5000)).guessesLog10 > 4900);
+});
@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mockup from "./helpers/mockup.mjs";
+
+const { parseTotp, generateTOTP, base32Encode } = mockup;
+const ascii = (s) => new TextEncoder().encode(s);
+
+// RFC 6238 appendix B: time in seconds → 8-digit codes for SHA1, SHA256, SHA512.
+const KEYS = { SHA1: ascii("12345678901234567890"), SHA256: ascii("12345678901234567890123456789012"), SHA512: ascii("1234567890123456789012345678901234567890123456789012345678901234") };
+const VECTORS = [
+  [59, "94287082", "46119246", "90693936"],
+  [1111111109, "07081804", "68084774", "25091201"],
+  [1111111111, "14050471", "67062674", "99943326"],
+  [1234567890, "89005924", "91819424", "93441116"],
+  [2000000000, "69279037", "90698825", "38618901"],
+  [20000000000, "65353130", "77737706", "47863826"],
+];
+
+test("generateTOTP matches the RFC 6238 test vectors", async () => {
+  for (const [seconds, ...codes] of VECTORS) {
+    for (const [i, algorithm] of ["SHA1", "SHA256", "SHA512"].entries()) {
+      assert.equal(await generateTOTP({ secret: KEYS[algorithm], algorithm, digits: 8 }, seconds * 1000), codes[i], `${algorithm} at ${seconds}`);
+    }
+  }
+});
+
+test("generateTOTP takes base32 secrets and 6 digits by default", async () => {
+  assert.equal(await generateTOTP({ secret: base32Encode(KEYS.SHA1) }, 59000), "287082");
+});
+
+test("parseTotp reads otpauth URIs", () => {
+  const secret = base32Encode(KEYS.SHA256);
+  assert.deepEqual(parseTotp(`otpauth://totp/ACME%20Co:jane@example.com?secret=${secret}&issuer=ACME%20Co&algorithm=sha256&digits=8&period=60`),
+    { secret, algorithm: "SHA256", digits: 8, period: 60, issuer: "ACME Co", account: "jane@example.com" });
+  assert.deepEqual(parseTotp(`otpauth://totp/Example?secret=${secret}`), { secret, algorithm: "SHA1", digits: 6, period: 30, issuer: "", account: "Example" });
+});
+
+test("parseTotp normalises a bare secret", () => {
+  assert.equal(parseTotp(" jbsw y3dp-ehpk 3pxp== ").secret, "JBSWY3DPEHPK3PXP");
+});
+
+test("parseTotp rejects bad input", () => {
+  assert.throws(() => parseTotp("otpauth://hotp/x?secret=JBSWY3DP"), /Only time-based/);
+  assert.throws(() => parseTotp("otpauth://totp/x"), /Missing TOTP secret/);
+  assert.throws(() => parseTotp("otpauth://totp/x?secret=JBSWY3DP&algorithm=MD5"), /Unsupported algorithm/);
+  assert.throws(() => parseTotp("otpauth://totp/x?secret=JBSWY3DP&digits=7"), /Digits must be 6 or 8/);
+  assert.throws(() => parseTotp("otpauth://totp/x?secret=JBSWY3DP&period=0"), /Period must be/);
+});
@@ -0,0 +1,17 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mockup from "./helpers/mockup.mjs";
+
+const { purgeExpiredTrash } = mockup;
+const DAY = 86400000; const NOW = Date.UTC(2026, 5, 1);
+
+test("purgeExpiredTrash drops items trashed 30 or more days ago and keeps the rest", () => {
+  const items = [
+    { id: 1, name: "Live" },
+    { id: 2, name: "Trashed yesterday", deletedAt: NOW - DAY },
+    { id: 3, name: "One minute left", deletedAt: NOW - 30 * DAY + 60000 },
+    { id: 4, name: "Exactly 30 days", deletedAt: NOW - 30 * DAY },
+    { id: 5, name: "Long gone", deletedAt: NOW - 90 * DAY },
+  ];
+  assert.deepEqual(purgeExpiredTrash(items, NOW).map(i => i.id), [1, 2, 3]);
+});
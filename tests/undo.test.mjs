@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mockup from "./helpers/mockup.mjs";
+
+const { undoPatch, applyUndoPatch, deleteCategory, mergeVaultData } = mockup;
+const CATEGORIES = [{ key: "dev", label: "Dev" }, { key: "api", label: "API", parent: "dev" }, { key: "personal", label: "Personal" }];
+const ITEMS = [
+  { id: 1, type: "login", name: "GitHub", category: "dev" },
+  { id: 2, type: "login", name: "Stripe", category: "api" },
+  { id: 3, type: "note", name: "Wi-Fi", category: "personal" },
+];
+const STATE = { items: ITEMS, categories: CATEGORIES };
+
+test("undoing a trash move keeps edits made to other items and fields since", () => {
+  const after = { ...STATE, items: ITEMS.map(i => i.id === 1 ? { ...i, deletedAt: 5 } : i) };
+  const patch = undoPatch(STATE, after);
+  const later = { ...after, items: after.items.map(i => i.id === 1 ? { ...i, name: "GitHub (work)" } : i.id === 3 ? { ...i, fav: true } : i) };
+  const undone = applyUndoPatch(later, patch);
+  assert.deepEqual(undone.items, [{ id: 1, type: "login", name: "GitHub (work)", category: "dev" }, ITEMS[1], { ...ITEMS[2], fav: true }]);
+});
+
+test("undoing a delete puts the item back where it was, next to items added since", () => {
+  const after = { ...STATE, items: ITEMS.filter(i => i.id !== 2) };
+  const patch = undoPatch(STATE, after);
+  const later = { ...after, items: [{ id: 4, type: "login", name: "New", category: "dev" }, ...after.items] };
+  assert.deepEqual(applyUndoPatch(later, patch).items.map(i => i.id), [4, 2, 1, 3]);
+});
+
+test("undoing a category delete restores the category, its children's parent and its items", () => {
+  const after = deleteCategory(STATE, "dev", "personal");
+  const undone = applyUndoPatch(after, undoPatch(STATE, after));
+  assert.deepEqual(undone, STATE);
+});
+
+test("undoing a merge removes only what the merge added", () => {
+  const incoming = { items: [ITEMS[0], { id: 9, type: "login", name: "Backup only", category: "old" }], categories: [{ key: "old", label: "Old" }] };
+  const after = mergeVaultData(STATE, incoming);
+  const patch = undoPatch(STATE, after);
+  const later = { ...after, items: after.items.map(i => i.id === 1 ? { ...i, fav: true } : i) };
+  const undone = applyUndoPatch(later, patch);
+  assert.deepEqual(undone.items.map(i => i.id), [1, 2, 3]);
+  assert.equal(undone.items[0].fav, true);
+  assert.deepEqual(undone.categories, CATEGORIES);
+});
@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mockup from "./helpers/mockup.mjs";
+
+const { registrableDomain, findMatches, launchUrl } = mockup;
+const login = (id, uris, extra = {}) => ({ id, type: "login", name: `Login ${id}`, uris: uris.map(u => typeof u === "string" ? { uri: u, match: "domain" } : u), ...extra });
+
+test("registrableDomain strips subdomains down to eTLD+1", () => {
+  assert.equal(registrableDomain("mail.google.com"), "google.com");
+  assert.equal(registrableDomain("a.b.example.co.uk"), "example.co.uk");
+  assert.equal(registrableDomain("alice.github.io"), "alice.github.io");
+  assert.equal(registrableDomain("Shop.Example.COM."), "example.com");
+  assert.equal(registrableDomain("localhost"), "localhost");
+  assert.equal(registrableDomain("192.168.1.10"), "192.168.1.10");
+});
+
+test("findMatches ranks prefix and regex rules above exact hosts above base domains", () => {
+  const items = [
+    login(1, ["google.com"]),
+    login(2, [{ uri: "accounts.google.com", match: "host" }]),
+    login(3, [{ uri: "https://accounts.google.com/signin", match: "startsWith" }]),
+    login(4, [{ uri: "^https://accounts\\.google\\.com/", match: "regex" }]),
+    login(5, ["example.com"]),
+  ];
+  const ranked = findMatches(items, "https://accounts.google.com/signin/v2");
+  assert.deepEqual(ranked.map(m => [m.item.id, m.score]), [[3, 4], [4, 4], [2, 3], [1, 2]]);
+});
+
+test("findMatches keeps sites on a shared hosting suffix apart", () => {
+  const items = [login(1, ["alice.github.io"]), login(2, ["bob.github.io"])];
+  assert.deepEqual(findMatches(items, "https://alice.github.io/blog").map(m => m.item.id), [1]);
+});
+
+test("findMatches skips never rules, trashed items, other types and non-web pages", () => {
+  const items = [
+    login(1, [{ uri: "example.com", match: "never" }]),
+    login(2, ["example.com"], { deletedAt: 1 }),
+    { id: 3, type: "note", name: "Note", url: "example.com" },
+    login(4, ["example.com"]),
+  ];
+  assert.deepEqual(findMatches(items, "https://www.example.com/").map(m => m.item.id), [4]);
+  assert.deepEqual(findMatches(items, "file:///etc/passwd"), []);
+  assert.deepEqual(findMatches(items, "not a url at all"), []);
+});
+
+test("findMatches breaks ties by favourite, then most recently used", () => {
+  const now = 1e12;
+  const items = [login(1, ["example.com"], { lastUsedAt: now - 1000 }), login(2, ["example.com"], { fav: true }), login(3, ["example.com"], { lastUsedAt: now - 10 })];
+  assert.deepEqual(findMatches(items, "https://example.com", { now }).map(m => m.item.id), [2, 3, 1]);
+});
+
+test("launchUrl picks the first saved URI a browser can open", () => {
+  assert.equal(launchUrl(login(1, [{ uri: "^https://x", match: "regex" }, "example.com/login"])), "https://example.com/login");
+  assert.equal(launchUrl(login(2, [{ uri: "example.com", match: "never" }])), null);
+});
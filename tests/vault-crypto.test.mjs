@@ -0,0 +1,86 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import mockup from "./helpers/mockup.mjs";
+
+const { createMemoryBackend, createFileBackend, createVault, unlockVault, saveVault, changeMasterPassword, generateSecretKey } = mockup;
+const DATA = { items: [{ id: 1, type: "login", name: "GitHub", password: "hunter2" }], categories: [] };
+
+// Re-encodes one base64 field of a stored envelope with its first byte flipped.
+const tamper = (blob, field) => {
+  const env = JSON.parse(blob); const bytes = Buffer.from(env[field], "base64"); bytes[0] ^= 1;
+  return JSON.stringify({ ...env, [field]: bytes.toString("base64") });
+};
+
+test("saveVault and unlockVault round-trip the vault data", async () => {
+  const backend = createMemoryBackend();
+  const session = await createVault(backend, "correct horse", DATA);
+  const next = { ...DATA, items: [...DATA.items, { id: 2, type: "note", name: "Wi-Fi", noteText: "x" }] };
+  await saveVault(backend, session, next);
+  assert.deepEqual((await unlockVault(backend, "correct horse")).data, next);
+  assert.doesNotMatch(await backend.read(), /hunter2|GitHub/);
+});
+
+test("unlockVault rejects a wrong password", async () => {
+  const backend = createMemoryBackend();
+  await createVault(backend, "correct horse", DATA);
+  await assert.rejects(unlockVault(backend, "wrong horse"), /Incorrect password/);
+});
+
+test("unlockVault detects tampering with the ciphertext, iv or header", async () => {
+  const backend = createMemoryBackend();
+  await createVault(backend, "correct horse", DATA);
+  const blob = await backend.read();
+  for (const changed of [tamper(blob, "ct"), tamper(blob, "iv"), tamper(blob, "salt"), blob.replace('"iterations":600000', '"iterations":600001')]) {
+    await assert.rejects(unlockVault(createMemoryBackend(changed), "correct horse"), /Incorrect password or corrupted vault/);
+  }
+});
+
+test("unlockVault rejects an unknown envelope version", async () => {
+  const backend = createMemoryBackend();
+  await createVault(backend, "correct horse", DATA);
+  const blob = JSON.stringify({ ...JSON.parse(await backend.read()), v: 9 });
+  await assert.rejects(unlockVault(createMemoryBackend(blob), "correct horse"), /Unsupported vault version/);
+});
+
+test("a vault created with a secret key needs both the password and that key", async () => {
+  const backend = createMemoryBackend(); const secretKey = generateSecretKey();
+  await createVault(backend, "correct horse", DATA, { secretKey });
+  assert.equal(JSON.parse(await backend.read()).v, 2);
+  assert.deepEqual((await unlockVault(backend, "correct horse", { secretKey })).data, DATA);
+  await assert.rejects(unlockVault(backend, "correct horse"), /needs its secret key/);
+  await assert.rejects(unlockVault(backend, "correct horse", { secretKey: generateSecretKey() }), /Incorrect password or secret key/);
+  await assert.rejects(unlockVault(backend, "wrong horse", { secretKey }), /Incorrect password or secret key/);
+});
+
+test("changeMasterPassword re-encrypts so only the new password opens the vault", async () => {
+  for (const secretKey of [null, generateSecretKey()]) {
+    const backend = createMemoryBackend();
+    const session = await createVault(backend, "correct horse", DATA, { secretKey });
+    const rekeyed = await changeMasterPassword(backend, session, DATA, "battery staple");
+    assert.notDeepEqual(rekeyed.salt, session.salt);
+    assert.deepEqual((await unlockVault(backend, "battery staple", { secretKey })).data, DATA);
+    await assert.rejects(unlockVault(backend, "correct horse", { secretKey }), /Incorrect password/);
+    const next = { ...DATA, categories: [{ id: "dev", label: "Dev" }] };
+    await saveVault(backend, rekeyed, next);
+    assert.deepEqual((await unlockVault(backend, "battery staple", { secretKey })).data, next);
+  }
+});
+
+test("a vault written through the file backend reopens and unlocks from disk", async () => {
+  const dir = await fs.mkdtemp(join(tmpdir(), "keychain-vault-"));
+  try {
+    const path = join(dir, "vault.json");
+    const session = await createVault(createFileBackend(path, fs), "correct horse", DATA);
+    const next = { ...DATA, items: [...DATA.items, { id: 2, type: "note", name: "Wi-Fi", noteText: "x" }] };
+    await saveVault(createFileBackend(path, fs), session, next);
+    assert.deepEqual(await fs.readdir(dir), ["vault.json"]);
+    assert.equal((await fs.stat(path)).mode & 0o777, 0o600);
+    const reopened = createFileBackend(path, fs);
+    assert.deepEqual((await unlockVault(reopened, "correct horse")).data, next);
+    await reopened.clear();
+    assert.equal(await reopened.read(), null);
+  } finally { await fs.rm(dir, { recursive: true, force: true }); }
+});